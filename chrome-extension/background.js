@@ -1,4 +1,6 @@
 // 后台脚本，用于处理扩展的后台逻辑
+importScripts('cookie-export.js');
+
 chrome.runtime.onInstalled.addListener(() => {
     console.log('Cookie Exporter 扩展已安装');
 });
@@ -10,15 +12,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   try {
     if (message && message.type === 'mcp:setDownloadBasename' && typeof message.basename === 'string') {
       const tabId = sender && sender.tab && typeof sender.tab.id === 'number' ? sender.tab.id : null;
+      const profile = typeof message.profile === 'string' && PROFILE_NAME_PATTERN.test(message.profile) ? message.profile : null;
       if (tabId !== null) {
         pendingBasenameByTab.set(tabId, {
           basename: message.basename,
+          profile,
           ts: Date.now()
         });
       } else {
         // 若无tab上下文，则作为全局后备
         pendingBasenameByTab.set('global', {
           basename: message.basename,
+          profile,
           ts: Date.now()
         });
       }
@@ -75,12 +80,138 @@ chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
     const safeHint = hinted && typeof hinted.basename === 'string' ? hinted.basename : null;
     const baseName = safeHint || rawName || 'cookies.json';
 
-    // 强制保存到子目录
-    const targetPath = `mcp-fetch-page/cookies/${baseName}`;
+    // 强制保存到子目录（指定profile时保存到 cookies/<profile>/）
+    const profileDir = hinted && hinted.profile ? `${hinted.profile}/` : '';
+    const targetPath = `mcp-fetch-page/cookies/${profileDir}${baseName}`;
     suggest({ filename: targetPath, conflictAction: 'overwrite' });
   } catch (e) {
     // 忽略错误，保持默认行为
   }
 });
 
-// (单一监听器) 避免重复注册多个 onDeterminingFilename
\ No newline at end of file
+// (单一监听器) 避免重复注册多个 onDeterminingFilename
+
+// 已跟踪站点的cookie变化后等待片刻再导出，合并登录、续期时的连续变化
+const TRACKED_SYNC_DELAY_MS = 5000;
+const trackedSyncTimers = new Map();
+// onChanged 触发频繁，跟踪列表缓存在内存中，存储变化时失效
+let trackedDomainsCache = null;
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.trackedDomains) {
+    trackedDomainsCache = null;
+  }
+});
+
+chrome.cookies.onChanged.addListener(async ({ cookie }) => {
+  if (!trackedDomainsCache) {
+    trackedDomainsCache = await getTrackedDomains();
+  }
+  for (const domain of Object.keys(trackedDomainsCache)) {
+    if (!isCookieForDomain(cookie, domain)) continue;
+    clearTimeout(trackedSyncTimers.get(domain));
+    trackedSyncTimers.set(domain, setTimeout(() => {
+      trackedSyncTimers.delete(domain);
+      syncTrackedDomain(domain);
+    }, TRACKED_SYNC_DELAY_MS));
+  }
+});
+
+// service worker 中没有 URL.createObjectURL，下载使用 data URL
+async function downloadFromBackground(cookieData, profile, domain) {
+  const bytes = new TextEncoder().encode(JSON.stringify(cookieData, null, 2));
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  const basename = cookieFileBasename(domain);
+  pendingBasenameByTab.set('global', { basename, profile: profile || null, ts: Date.now() });
+  return chrome.downloads.download({
+    url: `data:application/json;base64,${btoa(binary)}`,
+    filename: profile ? `${profile}/${basename}` : basename,
+    saveAs: false
+  });
+}
+
+// 重新导出已跟踪站点：直连同步；只有用户开启了下载回退时，服务端不可达（或未配置令牌）才下载文件，
+// 避免每次cookie轮换都往下载目录写一个文件
+async function syncTrackedDomain(domain) {
+  const tracked = await getTrackedDomains();
+  const entry = tracked[domain];
+  if (!entry) return;
+
+  try {
+    // 站点有打开的标签页时重新读取页面存储，否则只同步cookie，服务端沿用已保存的页面存储
+    const [tab] = await chrome.tabs.query({ url: `*://${domain}/*` });
+    const { trackedDownloadFallback = false } = await chrome.storage.local.get('trackedDownloadFallback');
+    const { cookieData, ack } = await exportSite(domain, {
+      profile: entry.profile,
+      url: entry.url,
+      tabId: tab ? tab.id : null,
+      download: trackedDownloadFallback ? downloadFromBackground : null
+    });
+    await updateTrackedDomain(domain, {
+      state: ack ? 'synced' : 'downloaded',
+      lastSync: cookieData.timestamp,
+      error: null
+    });
+  } catch (error) {
+    console.warn('Tracked sync failed:', domain, error);
+    await updateTrackedDomain(domain, { state: 'error', error: error.message });
+  }
+}
+
+// 工具栏徽标：当前标签页站点已保存的会话中有过期cookie时提示重新保存
+async function updateBadgeForTab(tabId, url) {
+  const stale = [];
+  let host = null;
+  try {
+    host = /^https?:/.test(url || '') ? new URL(url).hostname : null;
+  } catch (e) {
+    host = null;
+  }
+  if (host) {
+    const cleanHost = host.replace(/^www\./, '');
+    for (const entry of Object.values(await getSavedSessions())) {
+      const savedDomain = entry.domain.replace(/^www\./, '');
+      if (cleanHost !== savedDomain && !cleanHost.endsWith(`.${savedDomain}`)) continue;
+      if (findExpiredCookies(entry.cookies, host).expiredNames.length > 0) {
+        stale.push(entry.profile ? `${entry.domain} (${entry.profile})` : entry.domain);
+      }
+    }
+  }
+
+  try {
+    await chrome.action.setBadgeText({ tabId, text: stale.length > 0 ? '!' : '' });
+    await chrome.action.setTitle({
+      tabId,
+      title: stale.length > 0 ? `Saved session is stale, save again: ${stale.join(', ')}` : 'Fetch Page MCP Tools'
+    });
+    if (stale.length > 0) {
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: '#f44336' });
+    }
+  } catch (e) {
+    // 标签页已关闭
+  }
+}
+
+async function updateBadgeForActiveTabs() {
+  const tabs = await chrome.tabs.query({ active: true });
+  await Promise.all(tabs.map(tab => updateBadgeForTab(tab.id, tab.url)));
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId).then(tab => updateBadgeForTab(tab.id, tab.url)).catch(() => {});
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    updateBadgeForTab(tabId, tab.url);
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.savedSessions) {
+    updateBadgeForActiveTabs();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,424 @@
+// popup.js 与 background.js 共用的cookie导出逻辑（popup 通过 <script> 引入，后台通过 importScripts 引入）
+
+// Profile名与服务端一致：仅字母、数字、下划线和连字符，对应 cookies/<profile>/ 子目录
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// 直连同步的默认端口，与服务端 MCP_FETCH_PAGE_SYNC_PORT 默认值一致
+const DEFAULT_SYNC_PORT = 47615;
+
+// 判断cookie是否属于站点：当前域名、主域名、www变体及它们的父域和子域
+function isCookieForDomain(cookie, domain) {
+    // 提取主域名 (例如: wx.zsxq.com -> zsxq.com)
+    const mainDomain = domain.split('.').slice(-2).join('.');
+    const cookieDomain = cookie.domain.replace(/^\./, ''); // 去掉开头的点
+
+    return (
+        // 精确匹配当前域名
+        cookie.domain === domain ||
+        cookie.domain === '.' + domain ||
+
+        // 匹配主域名
+        cookie.domain === mainDomain ||
+        cookie.domain === '.' + mainDomain ||
+
+        // 匹配www变体
+        cookie.domain === 'www.' + mainDomain ||
+        cookie.domain === '.' + 'www.' + mainDomain ||
+
+        // 当前域名是子域，匹配父域的cookies
+        domain.endsWith('.' + cookieDomain) ||
+
+        // cookie域名是子域，当前页面是父域
+        cookieDomain.endsWith('.' + domain) ||
+        cookieDomain.endsWith('.' + mainDomain)
+    );
+}
+
+// 收集站点相关的所有cookies
+async function collectCookies(domain) {
+    const allCookies = await chrome.cookies.getAll({});
+    return allCookies.filter(cookie => isCookieForDomain(cookie, domain));
+}
+
+// IndexedDB 每个对象仓库最多导出的记录数，避免缓存类数据撑大导出文件
+const MAX_INDEXEDDB_RECORDS = 1000;
+
+// 在页面中执行：读取 localStorage、sessionStorage 和 IndexedDB（函数会被序列化注入，必须自包含）
+async function dumpPageStorage(maxRecords) {
+    const readStorage = (storage) => {
+        const result = {};
+        try {
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                result[key] = storage.getItem(key);
+            }
+        } catch (e) {
+            console.error('Cannot access storage:', e);
+        }
+        return result;
+    };
+
+    const toBase64 = (bytes) => {
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        return btoa(binary);
+    };
+
+    // 结构化克隆中JSON无法表示的类型用 __mcpType 标记，服务端恢复时还原
+    const encode = (value) => {
+        if (value === undefined) return { __mcpType: 'undefined' };
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'number' && !Number.isFinite(value)
+                ? { __mcpType: 'Number', value: String(value) }
+                : value;
+        }
+        if (value instanceof Date) return { __mcpType: 'Date', value: value.getTime() };
+        if (value instanceof ArrayBuffer) return { __mcpType: 'ArrayBuffer', value: toBase64(new Uint8Array(value)) };
+        if (ArrayBuffer.isView(value)) {
+            return {
+                __mcpType: value.constructor.name,
+                value: toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength))
+            };
+        }
+        if (value instanceof Map) return { __mcpType: 'Map', value: [...value].map(([k, v]) => [encode(k), encode(v)]) };
+        if (value instanceof Set) return { __mcpType: 'Set', value: [...value].map(encode) };
+        if (value instanceof Blob) return { __mcpType: 'Unsupported', value: 'Blob' };
+        if (Array.isArray(value)) return value.map(encode);
+        const result = {};
+        for (const [k, v] of Object.entries(value)) result[k] = encode(v);
+        return Object.prototype.hasOwnProperty.call(value, '__mcpType') ? { __mcpType: 'Object', value: result } : result;
+    };
+
+    const request = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    const indexedDBDump = [];
+    try {
+        for (const info of await indexedDB.databases()) {
+            if (!info.name) continue;
+            const db = await request(indexedDB.open(info.name));
+            try {
+                const stores = [];
+                for (const storeName of db.objectStoreNames) {
+                    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+                    // 结构信息需在事务结束前读取
+                    const indexes = [...store.indexNames].map(name => {
+                        const index = store.index(name);
+                        return { name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                    });
+                    const [keys, values, total] = await Promise.all([
+                        request(store.getAllKeys(null, maxRecords)),
+                        request(store.getAll(null, maxRecords)),
+                        request(store.count())
+                    ]);
+                    stores.push({
+                        name: storeName,
+                        keyPath: store.keyPath,
+                        autoIncrement: store.autoIncrement,
+                        indexes,
+                        records: keys.map((key, i) => ({ key: encode(key), value: encode(values[i]) })),
+                        truncated: total > keys.length
+                    });
+                }
+                indexedDBDump.push({ name: db.name, version: db.version, stores });
+            } finally {
+                db.close();
+            }
+        }
+    } catch (e) {
+        console.error('Cannot access IndexedDB:', e);
+    }
+
+    return {
+        origin: location.origin,
+        localStorage: readStorage(window.localStorage),
+        sessionStorage: readStorage(window.sessionStorage),
+        indexedDB: indexedDBDump
+    };
+}
+
+// 注入脚本读取标签页的存储，无法读取时返回 null
+async function readPageStorage(tabId) {
+    try {
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: dumpPageStorage,
+            args: [MAX_INDEXEDDB_RECORDS]
+        });
+        return result.result || null;
+    } catch (error) {
+        console.warn('Failed to read page storage:', error.message);
+        return null;
+    }
+}
+
+// IndexedDB 导出中的记录总数
+function countIndexedDBRecords(indexedDBDump) {
+    return (indexedDBDump || []).reduce((sum, db) => sum + db.stores.reduce((n, store) => n + store.records.length, 0), 0);
+}
+
+// 导出文件格式，与服务端 CookieManager 读取的字段一致
+// storage 为 readPageStorage 的结果：origin、localStorage、sessionStorage、indexedDB
+function buildCookieData(domain, url, cookies, storage = {}) {
+    const localStorage = storage.localStorage || {};
+    const sessionStorage = storage.sessionStorage || {};
+    const indexedDB = storage.indexedDB || [];
+    return {
+        domain,
+        url,
+        origin: storage.origin || new URL(url).origin,
+        timestamp: new Date().toISOString(),
+        totalCookies: cookies.length,
+        totalLocalStorage: Object.keys(localStorage).length,
+        totalSessionStorage: Object.keys(sessionStorage).length,
+        totalIndexedDBRecords: countIndexedDBRecords(indexedDB),
+        cookies: cookies.map(cookie => ({
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.domain,
+            path: cookie.path,
+            secure: cookie.secure,
+            httpOnly: cookie.httpOnly,
+            sameSite: cookie.sameSite,
+            expirationDate: cookie.expirationDate
+        })),
+        localStorage,
+        sessionStorage,
+        indexedDB
+    };
+}
+
+function cookieFileBasename(domain) {
+    return `${domain.replace(/[^a-zA-Z0-9.-]/g, '_')}_cookies.json`;
+}
+
+async function getSyncSettings() {
+    const { syncToken = '', syncPort = DEFAULT_SYNC_PORT } = await chrome.storage.local.get(['syncToken', 'syncPort']);
+    return { token: syncToken, port: syncPort };
+}
+
+// 通过本机同步端口把cookie数据直接写入服务端，返回服务端确认信息
+// keepStorage 为 true 时服务端沿用已保存文件中的页面存储（本次未能读取页面存储）
+async function pushCookieData(cookieData, profile, { token, port }, { keepStorage = false } = {}) {
+    let response;
+    try {
+        response = await fetch(`http://127.0.0.1:${port}/cookies`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ ...cookieData, profile: profile || undefined, keepStorage: keepStorage || undefined })
+        });
+    } catch (error) {
+        // 服务端未运行时返回 null，由调用方回退到下载
+        console.warn('Sync server unreachable:', error.message);
+        return null;
+    }
+    const ack = await response.json().catch(() => ({}));
+    if (!response.ok || !ack.ok) {
+        throw new Error(`server rejected sync (${ack.error || `HTTP ${response.status}`})`);
+    }
+    return ack;
+}
+
+// 已跟踪站点：{ [domain]: { profile, url, state, lastSync, error } }
+// state: pending（尚未同步）、synced（已推送到服务端）、downloaded（已下载文件）、error
+// 只保存同步状态，页面存储（可能包含会话密钥）每次同步时从标签页重新读取，不写入扩展存储
+async function getTrackedDomains() {
+    const { trackedDomains = {} } = await chrome.storage.local.get('trackedDomains');
+    // 旧版本在跟踪记录中保存了页面存储，读取时清除
+    const legacy = Object.values(trackedDomains).filter(entry => entry && 'storage' in entry);
+    if (legacy.length > 0) {
+        legacy.forEach(entry => delete entry.storage);
+        await chrome.storage.local.set({ trackedDomains });
+    }
+    return trackedDomains;
+}
+
+async function setTrackedDomain(domain, entry) {
+    const tracked = await getTrackedDomains();
+    if (entry) {
+        tracked[domain] = entry;
+    } else {
+        delete tracked[domain];
+    }
+    await chrome.storage.local.set({ trackedDomains: tracked });
+}
+
+// 更新已跟踪站点的同步状态；站点已取消跟踪时不做任何事
+async function updateTrackedDomain(domain, patch) {
+    const tracked = await getTrackedDomains();
+    if (!tracked[domain]) return;
+    tracked[domain] = { ...tracked[domain], ...patch };
+    await chrome.storage.local.set({ trackedDomains: tracked });
+}
+
+// 统计作用于该域名且设置了过期时间的cookie：过期的名称、总数和最早过期时间（Unix秒）
+// 与服务端 CookieManager.getCookieExpiryForDomain / isCookieExpiredForDomain 的判断一致，修改时需同步
+function findExpiredCookies(cookies, hostname) {
+    const result = { expiredNames: [], totalWithExpiration: 0, earliestExpiry: null };
+    if (!Array.isArray(cookies) || !hostname) return result;
+
+    const now = new Date();
+    const cleanHost = String(hostname).toLowerCase().replace(/^www\./, '');
+    for (const cookie of cookies) {
+        if (!cookie || !cookie.domain || !cookie.expirationDate) continue;
+        const cookieDomain = String(cookie.domain).toLowerCase().replace(/^\./, '').replace(/^www\./, '');
+        const matched = cleanHost === cookieDomain || cleanHost.endsWith(`.${cookieDomain}`);
+        if (!matched) continue;
+
+        result.totalWithExpiration++;
+        if (result.earliestExpiry === null || cookie.expirationDate < result.earliestExpiry) {
+            result.earliestExpiry = cookie.expirationDate;
+        }
+        if (now > new Date(cookie.expirationDate * 1000)) {
+            result.expiredNames.push(cookie.name);
+        }
+    }
+    return result;
+}
+
+// 本浏览器保存过的会话：{ [profile|domain]: { domain, profile, url, timestamp, cookies, via, downloadId } }
+// cookies 只记录名称、域名和过期时间（不含值），用于面板和工具栏徽标判断是否过期
+function savedSessionKey(domain, profile) {
+    return `${profile || ''}|${domain.replace(/^www\./, '')}`;
+}
+
+async function getSavedSessions() {
+    const { savedSessions = {} } = await chrome.storage.local.get('savedSessions');
+    return savedSessions;
+}
+
+async function recordSavedSession(cookieData, profile, { via, downloadId = null }) {
+    const sessions = await getSavedSessions();
+    sessions[savedSessionKey(cookieData.domain, profile)] = {
+        domain: cookieData.domain,
+        profile: profile || '',
+        url: cookieData.url,
+        timestamp: cookieData.timestamp,
+        cookies: cookieData.cookies.map(({ name, domain, expirationDate }) => ({ name, domain, expirationDate })),
+        via,
+        downloadId
+    };
+    await chrome.storage.local.set({ savedSessions: sessions });
+}
+
+async function removeSavedSession(domain, profile) {
+    const sessions = await getSavedSessions();
+    delete sessions[savedSessionKey(domain, profile)];
+    await chrome.storage.local.set({ savedSessions: sessions });
+}
+
+// 本地记录转换为与服务端 GET /sessions 相同的摘要格式
+function summarizeSavedSession(entry) {
+    const expiry = findExpiredCookies(entry.cookies, entry.domain);
+    return {
+        file: null,
+        profile: entry.profile || '',
+        domain: entry.domain,
+        url: entry.url,
+        timestamp: entry.timestamp,
+        cookies: entry.cookies.length,
+        earliestExpiry: expiry.earliestExpiry,
+        stale: expiry.expiredNames.length > 0,
+        readable: true,
+        downloadId: entry.downloadId
+    };
+}
+
+// 请求服务端的已保存会话列表，服务端不可达时返回 null
+async function fetchServerSessions({ token, port }) {
+    let response;
+    try {
+        response = await fetch(`http://127.0.0.1:${port}/sessions`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+    } catch (error) {
+        console.warn('Sync server unreachable:', error.message);
+        return null;
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.ok) {
+        throw new Error(`server rejected request (${body.error || `HTTP ${response.status}`})`);
+    }
+    return body.sessions;
+}
+
+async function deleteServerSession(file, { token, port }) {
+    const response = await fetch(`http://127.0.0.1:${port}/sessions?file=${encodeURIComponent(file)}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.ok) {
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+}
+
+// 注入到页面中执行：序列化当前渲染后的DOM、标题、地址和选中的文字，去掉脚本和样式以减小体积
+function serializePageSnapshot() {
+    const clone = document.documentElement.cloneNode(true);
+    clone.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+    return {
+        url: location.href,
+        title: document.title || '',
+        html: `<!DOCTYPE html>\n${clone.outerHTML}`,
+        selection: String(window.getSelection() || '').trim()
+    };
+}
+
+// 把标签页快照发送到服务端（需要配对令牌），服务端不可达时抛出错误
+async function sendPageSnapshot(tabId, { token, port }) {
+    const [result] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: serializePageSnapshot
+    });
+    const snapshot = result && result.result;
+    if (!snapshot) {
+        throw new Error('Cannot read page content');
+    }
+    let response;
+    try {
+        response = await fetch(`http://127.0.0.1:${port}/snapshot`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify(snapshot)
+        });
+    } catch (error) {
+        throw new Error('server unreachable, is the MCP server running?');
+    }
+    const ack = await response.json().catch(() => ({}));
+    if (!response.ok || !ack.ok) {
+        throw new Error(`server rejected snapshot (${ack.error || `HTTP ${response.status}`})`);
+    }
+    return ack;
+}
+
+// 导出站点的cookie与页面存储并记录到已保存会话：配置了配对令牌时直连同步
+// 页面存储从 tabId 对应的标签页读取；读取不到时只导出cookie，直连同步时服务端沿用已保存的页面存储
+// 未配置令牌或服务端不可达时调用 download 下载，未传入 download 时抛出错误
+async function exportSite(domain, { profile = '', url = null, tabId = null, settings = null, download = null }) {
+    const cookies = await collectCookies(domain);
+    const pageStorage = tabId !== null ? await readPageStorage(tabId) : null;
+    const cookieData = buildCookieData(domain, url || `https://${domain}/`, cookies, pageStorage || {});
+    if (cookies.length === 0 && cookieData.totalLocalStorage === 0 &&
+        cookieData.totalSessionStorage === 0 && cookieData.totalIndexedDBRecords === 0) {
+        throw new Error('No cookies or storage found');
+    }
+
+    const syncSettings = settings || await getSyncSettings();
+    const ack = syncSettings.token
+        ? await pushCookieData(cookieData, profile, syncSettings, { keepStorage: !pageStorage })
+        : null;
+    if (!ack && !download) {
+        throw new Error(syncSettings.token ? 'sync server unreachable' : 'no pairing token set');
+    }
+    const downloadId = ack ? null : await download(cookieData, profile, domain);
+    await recordSavedSession(cookieData, profile, { via: ack ? 'synced' : 'downloaded', downloadId });
+    return { cookieData, ack, storageRead: Boolean(pageStorage) };
+}
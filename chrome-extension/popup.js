@@ -1,11 +1,300 @@
+// PROFILE_NAME_PATTERN、DEFAULT_SYNC_PORT 及导出/同步函数来自 cookie-export.js
+const NEW_PROFILE_VALUE = '__new__';
+
+// 下载cookie文件，由后台脚本放入 mcp-fetch-page/cookies/[profile/]
+async function downloadCookieData(cookieData, profile, domain) {
+    const jsonContent = JSON.stringify(cookieData, null, 2);
+    const blob = new Blob([jsonContent], { type: 'application/json' });
+    const downloadUrl = URL.createObjectURL(blob);
+    
+    // 先将期望的basename和profile通知后台，确保最终文件为 [profile/]domain_cookies.json
+    const basename = cookieFileBasename(domain);
+    try {
+        await chrome.runtime.sendMessage({ type: 'mcp:setDownloadBasename', basename, profile });
+    } catch (e) {
+        console.warn('Failed to hint basename:', e);
+    }
+
+    const downloadId = await chrome.downloads.download({
+        url: downloadUrl,
+        filename: profile ? `${profile}/${basename}` : basename, // 后台会强制放入 mcp-fetch-page/cookies/[profile/]
+        saveAs: false
+    });
+    setTimeout(() => URL.revokeObjectURL(downloadUrl), 1000);
+    return downloadId;
+}
+
+// 已跟踪站点的状态文字
+function describeTrackedState(entry) {
+    const time = entry.lastSync ? new Date(entry.lastSync).toLocaleString() : null;
+    switch (entry.state) {
+        case 'synced':
+            return `synced ${time}`;
+        case 'downloaded':
+            return `downloaded ${time}`;
+        case 'error':
+            return `failed: ${entry.error || 'unknown error'}${time ? ` (last ok ${time})` : ''}`;
+        default:
+            return 'waiting for first save';
+    }
+}
+
+// 会话摘要第二行：保存时间、cookie数量、最早过期时间
+function describeSession(session) {
+    const parts = [
+        `saved ${new Date(session.timestamp).toLocaleString()}`,
+        `${session.cookies} cookies`,
+        session.earliestExpiry ? `expires ${new Date(session.earliestExpiry * 1000).toLocaleString()}` : 'session cookies only'
+    ];
+    return parts.join(' · ');
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     const domainDiv = document.getElementById('currentDomain');
     const exportBtn = document.getElementById('exportBtn');
+    const snapshotBtn = document.getElementById('snapshotBtn');
     const status = document.getElementById('status');
+    const profileSelect = document.getElementById('profileSelect');
+    const newProfileInput = document.getElementById('newProfileInput');
+    const syncSettings = document.getElementById('syncSettings');
+    const syncTokenInput = document.getElementById('syncTokenInput');
+    const syncPortInput = document.getElementById('syncPortInput');
+    const trackCheckbox = document.getElementById('trackCheckbox');
+    const downloadFallbackCheckbox = document.getElementById('downloadFallbackCheckbox');
+    const trackedList = document.getElementById('trackedList');
+    const sessionList = document.getElementById('sessionList');
     
     let currentDomain = '';
     let currentUrl = '';
     
+    // 渲染profile下拉框：默认（不使用profile）、已保存过的profile、新建
+    const renderProfiles = (profiles, selected) => {
+        profileSelect.innerHTML = '';
+        const options = [
+            { value: '', label: 'default' },
+            ...profiles.map(name => ({ value: name, label: name })),
+            { value: NEW_PROFILE_VALUE, label: '+ New profile...' }
+        ];
+        for (const { value, label } of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            profileSelect.appendChild(option);
+        }
+        profileSelect.value = profiles.includes(selected) ? selected : '';
+        newProfileInput.hidden = true;
+    };
+    
+    const { profiles: savedProfiles = [], lastProfile = '' } = await chrome.storage.local.get(['profiles', 'lastProfile']);
+    renderProfiles(savedProfiles, lastProfile);
+    
+    const { token: syncToken, port: syncPort } = await getSyncSettings();
+    syncTokenInput.value = syncToken;
+    syncPortInput.value = String(syncPort);
+    syncSettings.open = !syncToken;
+    
+    syncTokenInput.addEventListener('change', async () => {
+        await chrome.storage.local.set({ syncToken: syncTokenInput.value.trim() });
+        renderSessions();
+    });
+    // 已跟踪站点默认只直连同步，勾选后服务端不可达时才由后台下载文件
+    const { trackedDownloadFallback = false } = await chrome.storage.local.get('trackedDownloadFallback');
+    downloadFallbackCheckbox.checked = trackedDownloadFallback;
+    downloadFallbackCheckbox.addEventListener('change', () => {
+        chrome.storage.local.set({ trackedDownloadFallback: downloadFallbackCheckbox.checked });
+    });
+    
+    syncPortInput.addEventListener('change', () => {
+        const port = Number(syncPortInput.value);
+        if (Number.isInteger(port) && port > 0 && port <= 65535) {
+            chrome.storage.local.set({ syncPort: port });
+        } else {
+            syncPortInput.value = String(DEFAULT_SYNC_PORT);
+            chrome.storage.local.set({ syncPort: DEFAULT_SYNC_PORT });
+        }
+    });
+    
+    profileSelect.addEventListener('change', () => {
+        newProfileInput.hidden = profileSelect.value !== NEW_PROFILE_VALUE;
+        if (!newProfileInput.hidden) newProfileInput.focus();
+    });
+    
+    const getSelectedProfile = () => {
+        if (profileSelect.value !== NEW_PROFILE_VALUE) return profileSelect.value;
+        const name = newProfileInput.value.trim();
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            throw new Error('Profile name may only contain letters, digits, "_" and "-"');
+        }
+        return name;
+    };
+    
+    // 渲染已跟踪站点列表：域名、profile、最近同步时间和状态
+    const renderTrackedDomains = async () => {
+        const tracked = await getTrackedDomains();
+        const domains = Object.keys(tracked).sort();
+        trackCheckbox.checked = Boolean(currentDomain && tracked[currentDomain]);
+        trackedList.innerHTML = '';
+        if (domains.length === 0) return;
+        
+        const title = document.createElement('div');
+        title.className = 'field-label';
+        title.textContent = 'Tracked sites';
+        trackedList.appendChild(title);
+        
+        for (const domain of domains) {
+            const entry = tracked[domain];
+            const row = document.createElement('div');
+            row.className = `tracked-item ${entry.state === 'error' ? 'error' : ''}`;
+            
+            const label = document.createElement('span');
+            label.textContent = `${domain}${entry.profile ? ` (${entry.profile})` : ''}: ${describeTrackedState(entry)}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'tracked-remove';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Stop tracking';
+            removeBtn.addEventListener('click', () => setTrackedDomain(domain, null));
+            
+            row.append(label, removeBtn);
+            trackedList.appendChild(row);
+        }
+    };
+    
+    const getSyncSettingsFromInputs = () => ({
+        token: syncTokenInput.value.trim(),
+        port: Number(syncPortInput.value) || DEFAULT_SYNC_PORT
+    });
+    
+    // 已保存会话面板：已配对时以服务端的cookie目录为准（包含所有文件），否则列出本浏览器保存过的会话
+    const renderSessions = async () => {
+        const settings = getSyncSettingsFromInputs();
+        let sessions = null;
+        let source = 'saved from this browser';
+        if (settings.token) {
+            try {
+                sessions = await fetchServerSessions(settings);
+                if (sessions) source = 'on the server';
+            } catch (error) {
+                source = `saved from this browser (server: ${error.message})`;
+            }
+        }
+        if (!sessions) {
+            sessions = Object.values(await getSavedSessions()).map(summarizeSavedSession);
+        }
+        // 过期的排在前面，其余按保存时间从新到旧
+        sessions.sort((a, b) => (b.stale - a.stale) || String(b.timestamp).localeCompare(String(a.timestamp)));
+        
+        sessionList.innerHTML = '';
+        const title = document.createElement('div');
+        title.className = 'field-label';
+        title.textContent = sessions.length > 0 ? `Saved sessions ${source}` : `No saved sessions ${source}`;
+        sessionList.appendChild(title);
+        
+        for (const session of sessions) {
+            const row = document.createElement('div');
+            row.className = 'session-item';
+            
+            const name = document.createElement('div');
+            name.className = 'session-name';
+            name.textContent = session.profile ? `${session.domain} (${session.profile})` : session.domain;
+            if (session.stale) {
+                const badge = document.createElement('span');
+                badge.className = 'stale-badge';
+                badge.textContent = 'stale';
+                badge.title = 'Some saved cookies for this site have expired';
+                name.appendChild(badge);
+            }
+            
+            const details = document.createElement('div');
+            details.className = 'session-details';
+            details.textContent = session.readable ? describeSession(session) : 'cannot read file (encrypted without key?)';
+            
+            const actions = document.createElement('div');
+            actions.className = 'session-actions';
+            const resaveBtn = document.createElement('button');
+            resaveBtn.textContent = 'Re-save';
+            resaveBtn.addEventListener('click', () => resaveSession(session, resaveBtn));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.className = 'danger';
+            deleteBtn.addEventListener('click', () => deleteSession(session, deleteBtn));
+            actions.append(resaveBtn, deleteBtn);
+            
+            row.append(name, details, actions);
+            sessionList.appendChild(row);
+        }
+    };
+    
+    // 重新保存会话：站点有打开的标签页时一并读取页面存储，否则只保存cookie（直连同步时服务端沿用已保存的页面存储）
+    const resaveSession = async (session, button) => {
+        button.disabled = true;
+        try {
+            const [tab] = await chrome.tabs.query({ url: `*://${session.domain}/*` });
+            const { cookieData, ack, storageRead } = await exportSite(session.domain, {
+                profile: session.profile,
+                url: session.url,
+                tabId: tab ? tab.id : null,
+                settings: getSyncSettingsFromInputs(),
+                download: downloadCookieData
+            });
+            await updateTrackedDomain(session.domain, {
+                state: ack ? 'synced' : 'downloaded',
+                lastSync: cookieData.timestamp,
+                error: null
+            }).catch(error => console.warn('Failed to update tracked site:', error));
+            let storageNote = '';
+            if (!storageRead) {
+                storageNote = ack
+                    ? ' (site not open, kept the saved page storage)'
+                    : ' (cookies only, open the site to include page storage)';
+            }
+            status.textContent = `Re-saved ${cookieData.cookies.length} cookies for ${session.domain}${storageNote}`;
+            status.className = 'status success';
+        } catch (error) {
+            status.textContent = `Re-save failed: ${error.message}`;
+            status.className = 'status error';
+        } finally {
+            button.disabled = false;
+            renderSessions();
+        }
+    };
+    
+    // 删除会话：第一次点击要求确认；服务端会话删除服务端文件，本地会话删除下载的文件
+    const deleteSession = async (session, button) => {
+        if (button.dataset.confirm !== 'yes') {
+            button.dataset.confirm = 'yes';
+            button.textContent = 'Confirm?';
+            setTimeout(() => {
+                button.dataset.confirm = '';
+                button.textContent = 'Delete';
+            }, 3000);
+            return;
+        }
+        button.disabled = true;
+        try {
+            if (session.file) {
+                await deleteServerSession(session.file, getSyncSettingsFromInputs());
+            } else if (session.downloadId !== null && session.downloadId !== undefined) {
+                await chrome.downloads.removeFile(session.downloadId).catch(() => {});
+            }
+            await removeSavedSession(session.domain, session.profile);
+            status.textContent = `Deleted saved session for ${session.domain}`;
+            status.className = 'status success';
+        } catch (error) {
+            status.textContent = `Delete failed: ${error.message}`;
+            status.className = 'status error';
+        } finally {
+            renderSessions();
+        }
+    };
+    
+    // 后台同步后状态会更新，保持列表实时
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.trackedDomains) renderTrackedDomains();
+    });
+    
+    renderSessions();
+    
     try {
         // Get current tab
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -19,7 +308,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             currentUrl.startsWith('file://')) {
             domainDiv.textContent = 'Unsupported page type';
             exportBtn.disabled = true;
+            snapshotBtn.disabled = true;
+            trackCheckbox.disabled = true;
             status.textContent = 'Please use on normal websites';
+            renderTrackedDomains();
             return;
         }
         
@@ -34,54 +326,61 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error('Failed to get domain:', error);
         domainDiv.textContent = 'Cannot get domain';
         exportBtn.disabled = true;
+        snapshotBtn.disabled = true;
+        trackCheckbox.disabled = true;
         status.textContent = `Error: ${error.message}`;
         return;
     }
     
+    await renderTrackedDomains();
+    
+    // 跟踪当前站点：cookie变化时后台自动按所选profile重新导出
+    trackCheckbox.addEventListener('change', async () => {
+        try {
+            if (trackCheckbox.checked) {
+                const profile = getSelectedProfile();
+                await setTrackedDomain(currentDomain, {
+                    profile,
+                    url: currentUrl,
+                    state: 'pending',
+                    lastSync: null,
+                    error: null
+                });
+                status.textContent = 'Tracking enabled. Save once now, later cookie changes sync automatically.';
+                status.className = 'status';
+            } else {
+                await setTrackedDomain(currentDomain, null);
+            }
+        } catch (error) {
+            trackCheckbox.checked = false;
+            status.textContent = `Tracking failed: ${error.message}`;
+            status.className = 'status error';
+        }
+    });
+    
     exportBtn.addEventListener('click', async () => {
         exportBtn.disabled = true;
         exportBtn.textContent = 'Saving...';
         status.textContent = '';
         
         try {
-            console.log('Getting cookies for domain:', currentDomain);
-            
-            // 总是收集所有相关域名的cookies
-            const allCookies = await chrome.cookies.getAll({});
-            
-            // 提取主域名 (例如: wx.zsxq.com -> zsxq.com)
-            const domainParts = currentDomain.split('.');
-            const mainDomain = domainParts.slice(-2).join('.'); // 取最后两部分
-            
-            console.log('Main domain extracted:', mainDomain);
+            const profile = getSelectedProfile();
+            console.log('Getting cookies for domain:', currentDomain, 'profile:', profile || 'default');
             
-            // 查找所有相关的cookies
-            const cookies = allCookies.filter(cookie => {
-                const cookieDomain = cookie.domain.replace(/^\./, ''); // 去掉开头的点
-                
-                return (
-                    // 精确匹配当前域名
-                    cookie.domain === currentDomain ||
-                    cookie.domain === '.' + currentDomain ||
-                    
-                    // 匹配主域名
-                    cookie.domain === mainDomain ||
-                    cookie.domain === '.' + mainDomain ||
-                    
-                    // 匹配www变体
-                    cookie.domain === 'www.' + mainDomain ||
-                    cookie.domain === '.' + 'www.' + mainDomain ||
-                    
-                    // 当前域名是子域，匹配父域的cookies
-                    currentDomain.endsWith('.' + cookieDomain) ||
-                    
-                    // cookie域名是子域，当前页面是父域
-                    cookieDomain.endsWith('.' + currentDomain) ||
-                    cookieDomain.endsWith('.' + mainDomain)
-                );
+            // 收集所有相关域名的cookies和当前页面的存储；配置了配对令牌时直接推送到服务端，服务端不可达时回退到下载
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const settings = getSyncSettingsFromInputs();
+            const { cookieData, ack } = await exportSite(currentDomain, {
+                profile,
+                url: currentUrl,
+                tabId: activeTab.id,
+                settings,
+                download: downloadCookieData
             });
+            const { cookies } = cookieData;
             
             console.log('Total cookies found:', cookies.length);
+            console.log('Storage retrieved:', cookieData.totalLocalStorage, 'localStorage,', cookieData.totalSessionStorage, 'sessionStorage,', cookieData.totalIndexedDBRecords, 'IndexedDB records');
             
             // 按域名分组显示找到的cookies
             const cookiesByDomain = {};
@@ -95,88 +394,40 @@ document.addEventListener('DOMContentLoaded', async () => {
             
             console.log('Cookies by domain:', cookiesByDomain);
             
-            // 获取localStorage数据
-            console.log('Getting localStorage data...');
-            let localStorage = {};
-            try {
-                // 注入脚本到当前页面获取localStorage
-                const [result] = await chrome.scripting.executeScript({
-                    target: { tabId: (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id },
-                    func: () => {
-                        const storage = {};
-                        try {
-                            for (let i = 0; i < window.localStorage.length; i++) {
-                                const key = window.localStorage.key(i);
-                                const value = window.localStorage.getItem(key);
-                                storage[key] = value;
-                            }
-                        } catch (e) {
-                            console.error('Cannot access localStorage:', e);
-                        }
-                        return storage;
-                    }
-                });
-                localStorage = result.result || {};
-                console.log('localStorage retrieved:', Object.keys(localStorage).length, 'items');
-            } catch (error) {
-                console.warn('Failed to get localStorage:', error.message);
-                localStorage = {};
-            }
-
-            if (cookies.length === 0 && Object.keys(localStorage).length === 0) {
-                throw new Error('No cookies or localStorage found');
-            }
-            
-            // Prepare cookie data (now includes localStorage)
-            const cookieData = {
-                domain: currentDomain,
+            // 已跟踪的站点同步记录最新状态；记录失败不影响已完成的保存
+            await updateTrackedDomain(currentDomain, {
+                profile,
                 url: currentUrl,
-                timestamp: new Date().toISOString(),
-                totalCookies: cookies.length,
-                totalLocalStorage: Object.keys(localStorage).length,
-                cookies: cookies.map(cookie => ({
-                    name: cookie.name,
-                    value: cookie.value,
-                    domain: cookie.domain,
-                    path: cookie.path,
-                    secure: cookie.secure,
-                    httpOnly: cookie.httpOnly,
-                    sameSite: cookie.sameSite,
-                    expirationDate: cookie.expirationDate
-                })),
-                localStorage: localStorage
-            };
-            
-            // Create JSON content
-            const jsonContent = JSON.stringify(cookieData, null, 2);
-            
-            // Download file to mcp-fetch-page/cookies directory
-            const blob = new Blob([jsonContent], { type: 'application/json' });
-            const downloadUrl = URL.createObjectURL(blob);
+                state: ack ? 'synced' : 'downloaded',
+                lastSync: cookieData.timestamp,
+                error: null
+            }).catch(error => console.warn('Failed to update tracked site:', error));
             
-            // 先将期望的basename通知后台，确保最终文件名为 domain_cookies.json
-            const basename = `${currentDomain.replace(/[^a-zA-Z0-9.-]/g, '_')}_cookies.json`;
-            try {
-                await chrome.runtime.sendMessage({ type: 'mcp:setDownloadBasename', basename });
-            } catch (e) {
-                console.warn('Failed to hint basename:', e);
-            }
-
-            await chrome.downloads.download({
-                url: downloadUrl,
-                filename: basename, // 后台会强制放入 mcp-fetch-page/cookies/
-                saveAs: false
-            });
-            
-            setTimeout(() => URL.revokeObjectURL(downloadUrl), 1000);
+            // 记住使用过的profile，下次打开popup时默认选中
+            const profiles = profile && !savedProfiles.includes(profile)
+                ? [...savedProfiles, profile].sort()
+                : savedProfiles;
+            await chrome.storage.local.set({ profiles, lastProfile: profile });
+            savedProfiles.splice(0, savedProfiles.length, ...profiles);
+            renderProfiles(savedProfiles, profile);
             
             const domainCount = Object.keys(cookiesByDomain).length;
             const domainList = Object.keys(cookiesByDomain).join(', ');
-            const localStorageCount = Object.keys(localStorage).length;
+            const storageParts = [`${cookieData.totalLocalStorage} localStorage`];
+            if (cookieData.totalSessionStorage > 0) storageParts.push(`${cookieData.totalSessionStorage} sessionStorage`);
+            if (cookieData.totalIndexedDBRecords > 0) storageParts.push(`${cookieData.totalIndexedDBRecords} IndexedDB`);
             
-            status.textContent = `Successfully saved ${cookies.length} cookies and ${localStorageCount} localStorage items from ${domainCount} domain(s): ${domainList}`;
+            const profileLabel = profile ? ` to profile "${profile}"` : '';
+            let target = '';
+            if (ack) {
+                target = ` (synced to server: ${ack.file})`;
+            } else if (settings.token) {
+                target = ' (server unreachable, downloaded instead)';
+            }
+            status.textContent = `Successfully saved ${cookies.length} cookies and ${storageParts.join(', ')} items from ${domainCount} domain(s)${profileLabel}: ${domainList}${target}`;
             status.className = 'status success';
-            
+            renderSessions();
+        
         } catch (error) {
             console.error('Save failed:', error);
             status.textContent = `Save failed: ${error.message}`;
@@ -186,4 +437,32 @@ document.addEventListener('DOMContentLoaded', async () => {
             exportBtn.textContent = 'Save Cookies';
         }
     });
-});
\ No newline at end of file
+    
+    // 发送当前页面快照：无头Chrome打不开的页面（反爬检测、二次验证）由服务端转换保存，通过 get_snapshot 读取
+    snapshotBtn.addEventListener('click', async () => {
+        const settings = getSyncSettingsFromInputs();
+        if (!settings.token) {
+            syncSettings.open = true;
+            status.textContent = 'Set the pairing token first to send snapshots to the server';
+            status.className = 'status error';
+            return;
+        }
+        snapshotBtn.disabled = true;
+        snapshotBtn.textContent = 'Sending...';
+        status.textContent = '';
+        
+        try {
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const ack = await sendPageSnapshot(activeTab.id, settings);
+            status.textContent = `Snapshot saved on the server: ${ack.file}. Read it with the get_snapshot tool.`;
+            status.className = 'status success';
+        } catch (error) {
+            console.error('Snapshot failed:', error);
+            status.textContent = `Snapshot failed: ${error.message}`;
+            status.className = 'status error';
+        } finally {
+            snapshotBtn.disabled = false;
+            snapshotBtn.textContent = 'Send this page to MCP';
+        }
+    });
+});
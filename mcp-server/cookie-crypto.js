@@ -0,0 +1,109 @@
+// Cookie文件加密存储（server.js 与 debug.js 共用）
+// 密钥来自 MCP_FETCH_PAGE_COOKIE_KEY，或 MCP_FETCH_PAGE_COOKIE_KEYFILE 指向的密钥文件
+// 默认密钥文件位于用户配置目录（~/.config/mcp-fetch-page/cookie.key），不与加密后的cookie文件放在同一目录
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+export const COOKIE_ENCRYPTED_FORMAT = 'mcp-fetch-page-encrypted';
+const COOKIE_ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const COOKIE_KEY_SALT = 'mcp-fetch-page-cookie-store';
+// 旧版本把自动生成的密钥文件放在数据目录中，仍然读取以免已加密的文件无法解密
+const LEGACY_KEYFILE_NAME = 'cookie.key';
+
+function expandHome(value) {
+  return value.replace(/^~(?=$|\/)/, os.homedir());
+}
+
+function resolveConfigDir() {
+  const xdgConfigHome = process.env.XDG_CONFIG_HOME;
+  const baseDir = xdgConfigHome && xdgConfigHome.trim() !== ''
+    ? path.resolve(expandHome(xdgConfigHome.trim()))
+    : path.join(os.homedir(), '.config');
+  return path.join(baseDir, 'mcp-fetch-page');
+}
+
+export const COOKIE_KEYFILE_PATH = process.env.MCP_FETCH_PAGE_COOKIE_KEYFILE
+  ? path.resolve(expandHome(process.env.MCP_FETCH_PAGE_COOKIE_KEYFILE))
+  : path.join(resolveConfigDir(), 'cookie.key');
+
+export function getLegacyKeyfilePath(dataDir) {
+  return path.join(dataDir, LEGACY_KEYFILE_NAME);
+}
+
+function readKeyfile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 读取密钥原文：环境变量优先，其次密钥文件，最后是数据目录中的旧密钥文件；均未配置时返回 null
+// 返回 { secret, source }，source 为 'env'、'keyfile' 或 'legacy'
+export function readCookieSecret(dataDir) {
+  const envSecret = process.env.MCP_FETCH_PAGE_COOKIE_KEY;
+  if (envSecret && envSecret.trim() !== '') return { secret: envSecret.trim(), source: 'env' };
+  const fileSecret = readKeyfile(COOKIE_KEYFILE_PATH);
+  if (fileSecret) return { secret: fileSecret, source: 'keyfile' };
+  // 显式指定了密钥文件时不再回退到旧位置
+  if (!process.env.MCP_FETCH_PAGE_COOKIE_KEYFILE && dataDir) {
+    const legacySecret = readKeyfile(getLegacyKeyfilePath(dataDir));
+    if (legacySecret) return { secret: legacySecret, source: 'legacy' };
+  }
+  return { secret: null, source: null };
+}
+
+// 写入密钥文件：目录权限 700，文件权限 600
+export function writeCookieKeyfile(secret) {
+  fs.mkdirSync(path.dirname(COOKIE_KEYFILE_PATH), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(COOKIE_KEYFILE_PATH, `${secret}\n`, { encoding: 'utf8', mode: 0o600 });
+  fs.chmodSync(COOKIE_KEYFILE_PATH, 0o600);
+}
+
+export function generateCookieSecret() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+// 由密钥原文派生 256 位密钥
+const cookieKeyCache = new Map();
+export function deriveCookieKey(secret) {
+  if (!cookieKeyCache.has(secret)) {
+    cookieKeyCache.set(secret, crypto.scryptSync(secret, COOKIE_KEY_SALT, 32));
+  }
+  return cookieKeyCache.get(secret);
+}
+
+export function isEncryptedCookieData(data) {
+  return Boolean(data) && data.format === COOKIE_ENCRYPTED_FORMAT;
+}
+
+export function encryptCookieData(cookieData, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(COOKIE_ENCRYPTION_ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(cookieData), 'utf8'), cipher.final()]);
+  return {
+    format: COOKIE_ENCRYPTED_FORMAT,
+    version: 1,
+    algorithm: COOKIE_ENCRYPTION_ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+export function decryptCookieData(envelope, key) {
+  if (envelope.algorithm !== COOKIE_ENCRYPTION_ALGORITHM) {
+    throw new Error(`不支持的加密算法: ${envelope.algorithm}`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(COOKIE_ENCRYPTION_ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (error) {
+    throw new Error('解密失败，密钥不正确或文件已损坏');
+  }
+}
@@ -14,6 +14,7 @@
  *   test-spa <url> [selector]     - Force SPA method only
  *   list-cookies [domain]         - List available cookie files
  *   show-cookie <domain>          - Show cookie file content
+ *   encrypt-cookies               - Encrypt plaintext cookie exports in place
  * 
  * Examples:
  *   node debug.js test-page "https://example.com"
@@ -22,11 +23,23 @@
  *   node debug.js test-spa "https://spa.example.com" "#content"
  *   node debug.js list-cookies
  *   node debug.js show-cookie "example.com"
+ *   node debug.js encrypt-cookies
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import {
+  COOKIE_KEYFILE_PATH,
+  getLegacyKeyfilePath,
+  readCookieSecret,
+  writeCookieKeyfile,
+  generateCookieSecret,
+  deriveCookieKey,
+  isEncryptedCookieData,
+  encryptCookieData,
+  decryptCookieData
+} from './cookie-crypto.js';
 
 function resolveDataDir() {
   const defaultDir = path.join(os.homedir(), 'Downloads', 'mcp-fetch-page');
@@ -132,7 +145,15 @@ class SimpleCookieManager {
   loadCookiesFromFile(filePath) {
     try {
       const content = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(content);
+      const data = JSON.parse(content);
+      if (!isEncryptedCookieData(data)) return data;
+
+      const { secret } = readCookieSecret(DATA_DIR);
+      if (!secret) {
+        console.log(`🔒 Cookie文件已加密，但未配置密钥（MCP_FETCH_PAGE_COOKIE_KEY 或 ${COOKIE_KEYFILE_PATH}）`);
+        return null;
+      }
+      return decryptCookieData(data, deriveCookieKey(secret));
     } catch (error) {
       return null;
     }
@@ -378,7 +399,7 @@ function listCookies(filterDomain) {
     const domain = file.replace('_cookies.json', '').replace(/\s*\(\d+\)$/, '');
     
     if (!filterDomain || domain.includes(filterDomain)) {
-      console.log(`📁 ${file}`);
+      console.log(`📁 ${file}${isEncryptedCookieFile(filePath) ? ' 🔒' : ''}`);
       console.log(`   域名: ${domain}`);
       console.log(`   修改时间: ${stats.mtime.toLocaleString()}`);
       console.log(`   大小: ${stats.size} bytes`);
@@ -410,6 +431,10 @@ function showCookie(domain) {
   console.log(`⏰ 时间戳: ${cookieData.timestamp}`);
   console.log(`🍪 Cookie数量: ${cookieData.totalCookies || cookieData.cookies?.length || 0}`);
   console.log(`📦 LocalStorage项目: ${cookieData.totalLocalStorage || Object.keys(cookieData.localStorage || {}).length}`);
+  console.log(`📦 SessionStorage项目: ${cookieData.totalSessionStorage || Object.keys(cookieData.sessionStorage || {}).length}`);
+  if (Array.isArray(cookieData.indexedDB) && cookieData.indexedDB.length > 0) {
+    console.log(`🗄️ IndexedDB: ${cookieData.indexedDB.map(db => `${db.name} (${(db.stores || []).length} 个对象仓库)`).join(', ')}，共 ${cookieData.totalIndexedDBRecords || 0} 条记录`);
+  }
   
   if (cookieData.cookies && cookieData.cookies.length > 0) {
     console.log('\n🍪 Cookies详情:');
@@ -435,6 +460,73 @@ function showCookie(domain) {
   }
 }
 
+function isEncryptedCookieFile(filePath) {
+  try {
+    return isEncryptedCookieData(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    return false;
+  }
+}
+
+// 将cookie目录（含各配置子目录）下的明文导出文件原地加密；未配置密钥时生成密钥文件
+function encryptCookies() {
+  console.log('🔒 加密Cookie文件:');
+
+  if (!fs.existsSync(COOKIE_DIR)) {
+    console.log('❌ Cookie目录不存在:', COOKIE_DIR);
+    return;
+  }
+
+  let { secret, source } = readCookieSecret(DATA_DIR);
+  if (source === 'legacy') {
+    // 旧版本把密钥文件放在数据目录中，与cookie文件放在一起，迁移到用户配置目录
+    const legacyPath = getLegacyKeyfilePath(DATA_DIR);
+    writeCookieKeyfile(secret);
+    fs.unlinkSync(legacyPath);
+    console.log(`🔑 已将密钥文件从 ${legacyPath} 迁移到 ${COOKIE_KEYFILE_PATH}`);
+  } else if (!secret) {
+    secret = generateCookieSecret();
+    writeCookieKeyfile(secret);
+    console.log(`🔑 已生成密钥文件: ${COOKIE_KEYFILE_PATH}（请妥善备份，丢失后无法解密）`);
+  }
+  const key = deriveCookieKey(secret);
+
+  const dirs = [COOKIE_DIR, ...fs.readdirSync(COOKIE_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => path.join(COOKIE_DIR, entry.name))];
+
+  let encrypted = 0;
+  let skipped = 0;
+  for (const dir of dirs) {
+    for (const file of fs.readdirSync(dir)) {
+      if (!/_cookies(\s*\(\d+\))?\.json$/i.test(file)) continue;
+      const filePath = path.join(dir, file);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.log(`⚠️ 跳过无法解析的文件 ${path.relative(COOKIE_DIR, filePath)}: ${error.message}`);
+        continue;
+      }
+      if (isEncryptedCookieData(data)) {
+        skipped++;
+        continue;
+      }
+
+      // 先写临时文件再替换，并保留修改时间（合并cookie时以最新文件为准）
+      const stats = fs.statSync(filePath);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(encryptCookieData(data, key), null, 2), { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(tempPath, filePath);
+      fs.utimesSync(filePath, stats.atime, stats.mtime);
+      encrypted++;
+      console.log(`✅ ${path.relative(COOKIE_DIR, filePath)}`);
+    }
+  }
+
+  console.log(`\n📊 已加密 ${encrypted} 个文件，跳过 ${skipped} 个已加密文件`);
+}
+
 // 显示帮助信息
 function showHelp() {
   console.log(`
@@ -449,6 +541,7 @@ function showHelp() {
   test-spa <url> [selector]     强制使用SPA方法（通过MCP调用）
   list-cookies [domain]         列出可用的Cookie文件
   show-cookie <domain>          显示指定域名的Cookie详情
+  encrypt-cookies               加密已有的明文Cookie文件（含各配置子目录）
   help                          显示此帮助信息
 
 智能抓取选项 (test-page):
@@ -465,12 +558,14 @@ function showHelp() {
   node debug.js test-spa "https://app.example.com" "#main-content"
   node debug.js list-cookies
   node debug.js show-cookie "example.com"
+  node debug.js encrypt-cookies
 
 注意:
   - 智能抓取会自动选择最佳方法（HTTP → SPA回退）
   - Cookie会自动加载（如果可用），无需手动管理
   - 可用 MCP_FETCH_PAGE_DATA_DIR 自定义数据目录根路径
   - Cookie文件保存在: ${COOKIE_DIR}
+  - 加密密钥: MCP_FETCH_PAGE_COOKIE_KEY 或 ${COOKIE_KEYFILE_PATH}
   - 需要登录的页面会显示友好提示
 `);
 }
@@ -545,6 +640,10 @@ async function main() {
         }
         showCookie(args[1]);
         break;
+
+      case 'encrypt-cookies':
+        encryptCookies();
+        break;
         
       case 'help':
         showHelp();